@@ -0,0 +1,89 @@
+// /admin-stats counts applied payments only, and keeps amounts in different
+// currencies apart: payments from before BDT were migrated as USD.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { prepareDatabase } = require("..");
+const {
+  createScenario,
+  expectOk,
+  payWrongAmount,
+} = require("./support/scenario");
+
+let scenario;
+let refused;
+
+beforeEach(async () => {
+  scenario = await createScenario();
+  refused = await payWrongAmount(scenario);
+
+  // A payment stored with a float amount before amounts were in minor units
+  await scenario.ctx.paymentCollection.insertOne({
+    transactionId: "pi_legacy",
+    amount: 20.5,
+    date: new Date("2026-01-03T10:00:00Z"),
+    studentEmail: scenario.emails.student,
+    tutorEmail: scenario.emails.tutor,
+  });
+  await prepareDatabase(scenario.ctx);
+});
+
+afterEach(() => scenario.server.close());
+
+const stats = async (query = "") =>
+  expectOk(
+    await scenario.request("GET", `/admin-stats${query}`, {
+      as: scenario.emails.admin,
+    })
+  );
+
+test("refused payments are not revenue", async () => {
+  const body = await stats();
+  assert.equal(body.totalRevenue, 5000);
+  assert.equal(body.netRevenue, 5000);
+  assert.deepEqual(body.monthlyData, { Jan: 5000 });
+  assert.equal(body.totalTransactions, 2);
+  assert.ok(
+    body.allPayments.every(
+      (payment) => payment.transactionId !== refused.transactionId
+    )
+  );
+
+  const report = expectOk(
+    await scenario.request("GET", "/admin/analytics/revenue", {
+      as: scenario.emails.admin,
+    })
+  );
+  const february = report.rows.filter((row) => row.month === "2026-02");
+  assert.deepEqual(february, []);
+});
+
+test("the payments export keeps refused payments, with the reason", async () => {
+  const csv = (await stats("?format=csv")).split("\n");
+  const row = csv.find((line) => line.includes(refused.transactionId));
+  assert.ok(row, "the refused payment is missing from the export");
+  assert.match(row, /Paid amount does not match the checkout/);
+});
+
+test("totals are kept per currency", async () => {
+  const body = await stats();
+  assert.equal(body.currency, "bdt");
+  assert.deepEqual(body.revenueByCurrency, {
+    bdt: {
+      totalRevenue: 5000,
+      totalRefunded: 0,
+      netRevenue: 5000,
+      totalTransactions: 1,
+    },
+    usd: {
+      totalRevenue: 20.5,
+      totalRefunded: 0,
+      netRevenue: 20.5,
+      totalTransactions: 1,
+    },
+  });
+
+  const legacy = body.monthlyRevenue.find((row) => row.currency === "usd");
+  assert.equal(legacy.month, "2026-01");
+  assert.equal(legacy.gross, 20.5);
+  assert.equal(legacy.commission, 0);
+});
@@ -0,0 +1,222 @@
+// Monthly billing runs on the scheduler. Tests move the clock by hand and
+// call app.locals.scheduler.tick() rather than waiting on the timer. The
+// scenario hires in January 2026 and has already issued February's bill.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScenario, expectOk } = require("./support/scenario");
+const { DAY } = require("./support/server");
+
+let scenario;
+
+beforeEach(async () => {
+  scenario = await createScenario();
+});
+
+afterEach(() => scenario.server.close());
+
+const tick = () => scenario.server.app.locals.scheduler.tick();
+
+const bills = () =>
+  scenario.ctx.billCollection
+    .find({ applicationId: scenario.ids.applicationId })
+    .sort({ period: 1 })
+    .toArray();
+
+const notices = (type) =>
+  scenario.ctx.notificationCollection.countDocuments({
+    recipientEmail: scenario.emails.student,
+    type,
+  });
+
+test("each month is billed once from the agreed salary", async () => {
+  const [february] = await bills();
+  assert.equal(february.period, "2026-02");
+  assert.equal(february.amountMinor, 500000);
+  assert.equal(february.currency, "bdt");
+  assert.equal(february.status, "open");
+  assert.equal(february.dueAt - february.issuedAt, 7 * DAY);
+  assert.equal(await notices("bill_issued"), 1);
+
+  const again = await tick();
+  assert.deepEqual(again.issueMonthlyBills, { issued: 0 });
+  assert.equal((await bills()).length, 1);
+
+  scenario.clock.advance(30 * DAY);
+  const march = await tick();
+  assert.deepEqual(march.issueMonthlyBills, { issued: 1 });
+  assert.deepEqual(
+    (await bills()).map((bill) => bill.period),
+    ["2026-02", "2026-03"]
+  );
+});
+
+test("overdue bills are chased every few days up to the limit", async () => {
+  assert.deepEqual((await tick()).chaseOverdueBills, { reminded: 0 });
+
+  scenario.clock.advance(8 * DAY);
+  assert.deepEqual((await tick()).chaseOverdueBills, { reminded: 1 });
+  let [bill] = await bills();
+  assert.equal(bill.status, "overdue");
+  assert.equal(bill.remindersSent, 1);
+
+  // Not again until BILL_REMINDER_DAYS have passed
+  scenario.clock.advance(DAY);
+  assert.deepEqual((await tick()).chaseOverdueBills, { reminded: 0 });
+
+  for (let i = 0; i < 4; i += 1) {
+    scenario.clock.advance(4 * DAY);
+    await tick();
+  }
+  [bill] = await bills();
+  assert.equal(bill.remindersSent, 3);
+  assert.equal(await notices("bill_overdue"), 3);
+});
+
+test("a paid bill shows up in the payment history and revenue", async () => {
+  const checkout = expectOk(
+    await scenario.request("POST", `/bills/${scenario.ids.billId}/checkout`, {
+      as: scenario.emails.student,
+      body: { provider: "sslcommerz" },
+    })
+  );
+  assert.equal(checkout.amount, 5000);
+  expectOk(
+    await scenario.request("POST", "/payments/sslcommerz/ipn", {
+      form: {
+        status: "VALID",
+        tran_id: checkout.reference,
+        amount: "5000",
+        currency: "BDT",
+      },
+    })
+  );
+
+  const [bill] = await bills();
+  assert.equal(bill.status, "paid");
+  assert.equal(bill.paidAt.getTime(), scenario.clock.now().getTime());
+
+  const history = expectOk(
+    await scenario.request("GET", "/payments/history", {
+      as: scenario.emails.student,
+    })
+  );
+  assert.equal(history.length, 2);
+  const monthly = history.find((payment) => payment.billId);
+  assert.equal(monthly.billId, scenario.ids.billId);
+  assert.equal(monthly.period, "2026-02");
+  assert.equal(monthly.amount, 5000);
+
+  const revenue = expectOk(
+    await scenario.request("GET", "/tutor-revenue", {
+      as: scenario.emails.tutor,
+    })
+  );
+  assert.equal(revenue.transactions.length, 2);
+  assert.equal(revenue.totalEarnings, 9000);
+
+  const twice = await scenario.request(
+    "POST",
+    `/bills/${scenario.ids.billId}/checkout`,
+    { as: scenario.emails.student, body: { provider: "sslcommerz" } }
+  );
+  assert.equal(twice.status, 409);
+
+  // Paid bills are never chased
+  scenario.clock.advance(10 * DAY);
+  assert.deepEqual((await tick()).chaseOverdueBills, { reminded: 0 });
+});
+
+test("ending an engagement stops billing but keeps issued bills", async () => {
+  expectOk(
+    await scenario.request(
+      "POST",
+      `/applications/${scenario.ids.applicationId}/end`,
+      { as: scenario.emails.tutor, body: { reason: "Moving away" } }
+    )
+  );
+
+  scenario.clock.advance(30 * DAY);
+  assert.deepEqual((await tick()).issueMonthlyBills, { issued: 0 });
+  const remaining = await bills();
+  assert.equal(remaining.length, 1);
+  assert.notEqual(remaining[0].status, "paid");
+});
+
+test("runs are recorded with the trigger and the clock's time", async () => {
+  const manual = expectOk(
+    await scenario.request("GET", "/admin/jobs/issueMonthlyBills/runs", {
+      as: scenario.emails.admin,
+    })
+  );
+  assert.equal(manual.totalCount, 1);
+  assert.equal(manual.result[0].trigger, "manual");
+  assert.equal(manual.result[0].triggeredBy, scenario.emails.admin);
+  assert.equal(manual.result[0].status, "succeeded");
+  assert.deepEqual(manual.result[0].result, { issued: 1 });
+
+  scenario.clock.advance(DAY);
+  await tick();
+  const runs = expectOk(
+    await scenario.request("GET", "/admin/jobs/issueMonthlyBills/runs", {
+      as: scenario.emails.admin,
+    })
+  );
+  assert.equal(runs.totalCount, 2);
+  assert.equal(runs.result[0].trigger, "schedule");
+  assert.equal(
+    new Date(runs.result[0].startedAt).getTime(),
+    scenario.clock.now().getTime()
+  );
+
+  const jobs = expectOk(
+    await scenario.request("GET", "/admin/jobs", { as: scenario.emails.admin })
+  );
+  const job = jobs.find((entry) => entry.name === "issueMonthlyBills");
+  assert.equal(job.running, false);
+  assert.equal(job.lastRun.status, "succeeded");
+  assert.equal(
+    job.lastRun.runId,
+    runs.result[0]._id,
+    "lastRun points at the latest run"
+  );
+});
+
+test("a leased job isn't run twice", async () => {
+  await scenario.ctx.jobCollection.updateOne(
+    { _id: "issueMonthlyBills" },
+    {
+      $set: {
+        lockedBy: "another-instance",
+        lockedUntil: new Date(scenario.clock.now().getTime() + DAY),
+      },
+    }
+  );
+  const results = await tick();
+  assert.deepEqual(results.issueMonthlyBills, { skipped: "running elsewhere" });
+
+  const response = await scenario.request(
+    "POST",
+    "/admin/jobs/issueMonthlyBills/run",
+    { as: scenario.emails.admin }
+  );
+  assert.equal(response.status, 409);
+  assert.equal(
+    await scenario.ctx.jobRunCollection.countDocuments({
+      job: "issueMonthlyBills",
+    }),
+    1
+  );
+});
+
+test("bill checkout errors aren't passed on to the client", async () => {
+  scenario.ctx.paymentProviders.sslcommerz.createCheckout = async () => {
+    throw new Error("connect ECONNREFUSED sandbox.sslcommerz.com");
+  };
+  const response = await scenario.request(
+    "POST",
+    `/bills/${scenario.ids.billId}/checkout`,
+    { as: scenario.emails.student, body: { provider: "sslcommerz" } }
+  );
+  assert.equal(response.status, 500);
+  assert.deepEqual(response.body, { message: "Failed to open checkout" });
+});
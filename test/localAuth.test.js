@@ -0,0 +1,117 @@
+// The local auth provider issues and checks its own HS256 tokens, so the
+// server runs without Firebase. Each app built by createApp keeps its own
+// provider, database and clock.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLocalAuthProvider } = require("..");
+const { startServer, addUser } = require("./support/server");
+const { USERS, expectOk } = require("./support/scenario");
+
+const ADMIN = USERS.admin[0];
+const STUDENT = USERS.student[0];
+
+let server;
+let student;
+
+beforeEach(async () => {
+  server = await startServer();
+  await addUser(server.ctx, ADMIN, "admin");
+  student = await addUser(server.ctx, STUDENT, "student");
+});
+
+afterEach(() => server.close());
+
+// Reads the student's own record with `token` as the bearer
+const readSelf = (token, target = server) =>
+  target.request("GET", `/users/${student._id}`, {
+    headers: { authorization: `Bearer ${token}` },
+  });
+
+test("/auth/local/token issues tokens for registered users", async () => {
+  const { token } = expectOk(
+    await server.request("POST", "/auth/local/token", {
+      body: { email: STUDENT.toUpperCase() },
+    })
+  );
+  const self = expectOk(await readSelf(token));
+  assert.equal(self.email, STUDENT);
+
+  const unknown = await server.request("POST", "/auth/local/token", {
+    body: { email: "nobody@example.com" },
+  });
+  assert.equal(unknown.status, 404);
+});
+
+test("/auth/local/token doesn't exist outside development and test", async () => {
+  const previous = process.env.NODE_ENV;
+  process.env.NODE_ENV = "production";
+  let production;
+  try {
+    production = await startServer();
+  } finally {
+    process.env.NODE_ENV = previous;
+  }
+  try {
+    await addUser(production.ctx, STUDENT, "student");
+    const response = await production.request("POST", "/auth/local/token", {
+      body: { email: STUDENT },
+    });
+    assert.equal(response.status, 404);
+  } finally {
+    await production.close();
+  }
+});
+
+test("tampered, foreign and expired tokens are refused", async () => {
+  const token = server.authProvider.issueToken(STUDENT);
+  const [header, , signature] = token.split(".");
+  const claims = Buffer.from(
+    JSON.stringify({ email: ADMIN, exp: Math.floor(Date.now() / 1000) + 60 })
+  ).toString("base64url");
+  assert.equal(
+    (await readSelf(`${header}.${claims}.${signature}`)).status,
+    401
+  );
+
+  const foreign = createLocalAuthProvider("another-secret").issueToken(STUDENT);
+  assert.equal((await readSelf(foreign)).status, 401);
+
+  const expired = server.authProvider.issueToken(STUDENT, -60);
+  assert.equal((await readSelf(expired)).status, 401);
+
+  assert.equal((await readSelf("not-a-token")).status, 401);
+});
+
+test("disabled accounts are refused until re-enabled", async () => {
+  const token = server.authProvider.issueToken(STUDENT);
+  await server.authProvider.setDisabled(STUDENT, true);
+  assert.equal((await readSelf(token)).status, 401);
+
+  await server.authProvider.setDisabled(STUDENT, false);
+  assert.equal((await readSelf(token)).status, 200);
+});
+
+test("deleting a user disables their account", async () => {
+  const token = server.authProvider.issueToken(STUDENT);
+  expectOk(
+    await server.request("DELETE", `/users/${student._id}`, { as: ADMIN })
+  );
+  assert.equal((await readSelf(token)).status, 401);
+});
+
+test("apps built by createApp don't share state", async () => {
+  const other = await startServer();
+  try {
+    assert.notEqual(other.ctx, server.ctx);
+
+    // Same secret, so the signature checks out, but the account is unknown
+    const token = server.authProvider.issueToken(STUDENT);
+    assert.equal((await readSelf(token, other)).status, 403);
+
+    await addUser(other.ctx, STUDENT, "student");
+    await other.authProvider.setDisabled(STUDENT, true);
+    assert.equal((await readSelf(token)).status, 200);
+  } finally {
+    await other.close();
+  }
+});
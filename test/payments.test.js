@@ -0,0 +1,220 @@
+// Checkouts are priced in BDT minor units and settled by whichever provider
+// the student picked: Stripe through its webhook (see stripeWebhook.test.js),
+// SSLCommerz through its IPN and browser return.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startServer, addUser } = require("./support/server");
+const { USERS, expectOk, postTuition, apply } = require("./support/scenario");
+
+const ADMIN = USERS.admin[0];
+const STUDENT = USERS.student[0];
+const TUTOR = USERS.tutor[0];
+const OTHER_TUTOR = USERS.otherTutor[0];
+
+let server;
+let ids;
+
+beforeEach(async () => {
+  server = await startServer();
+  for (const [email, role] of [
+    [ADMIN, "admin"],
+    [STUDENT, "student"],
+    [TUTOR, "tutor"],
+    [OTHER_TUTOR, "tutor"],
+  ]) {
+    await addUser(server.ctx, email, role);
+  }
+  const tuitionId = await postTuition(server, STUDENT, { salary: 4500.5 });
+  ids = {
+    tuitionId,
+    applicationId: await apply(server, TUTOR, tuitionId),
+    otherApplicationId: await apply(server, OTHER_TUTOR, tuitionId),
+  };
+});
+
+afterEach(() => server.close());
+
+const checkout = (applicationId, provider) =>
+  server.request("POST", "/create-payment-intent", {
+    as: STUDENT,
+    body: { applicationId, ...(provider && { provider }) },
+  });
+
+const ipn = (reference, fields = {}) =>
+  server.request("POST", "/payments/sslcommerz/ipn", {
+    form: {
+      status: "VALID",
+      tran_id: reference,
+      amount: "4500.50",
+      currency: "BDT",
+      ...fields,
+    },
+  });
+
+const applicationStatus = async (id) =>
+  (await server.ctx.applicationCollection.findOne({ _id: new ObjectId(id) }))
+    .status;
+
+// Runs `fn` with CLIENT_URL set to `value`, or unset when undefined
+const withClientUrl = async (value, fn) => {
+  const previous = process.env.CLIENT_URL;
+  if (value === undefined) delete process.env.CLIENT_URL;
+  else process.env.CLIENT_URL = value;
+  try {
+    return await fn();
+  } finally {
+    if (previous === undefined) delete process.env.CLIENT_URL;
+    else process.env.CLIENT_URL = previous;
+  }
+};
+
+test("Stripe checkouts answer with a client secret", async () => {
+  const body = expectOk(await checkout(ids.applicationId));
+  assert.equal(body.provider, "stripe");
+  assert.match(body.clientSecret, /^pi_mock_/);
+  assert.equal(body.redirectUrl, undefined);
+  assert.equal(body.amount, 4500.5);
+  assert.equal(body.currency, "bdt");
+});
+
+test("SSLCommerz checkouts answer with a gateway redirect", async () => {
+  const body = expectOk(await checkout(ids.applicationId, "sslcommerz"));
+  assert.equal(body.provider, "sslcommerz");
+  assert.match(body.redirectUrl, /^mock:\/\/sslcommerz\//);
+  assert.equal(body.clientSecret, undefined);
+
+  const stored = await server.ctx.checkoutCollection.findOne({
+    reference: body.reference,
+  });
+  assert.equal(stored.amountMinor, 450050);
+  assert.equal(stored.currency, "bdt");
+});
+
+test("unknown providers are refused", async () => {
+  const response = await checkout(ids.applicationId, "paypal");
+  assert.equal(response.status, 400);
+});
+
+test("a valid IPN settles the hire in taka minor units", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  const settled = expectOk(await ipn(reference));
+  assert.equal(settled.settled, true);
+
+  const payment = await server.ctx.paymentCollection.findOne({
+    transactionId: reference,
+  });
+  assert.equal(payment.provider, "sslcommerz");
+  assert.equal(payment.amountMinor, 450050);
+  assert.equal(payment.currency, "bdt");
+  assert.equal(payment.commissionMinor, 45005);
+  assert.equal(await applicationStatus(ids.applicationId), "accepted");
+
+  // A retried IPN changes nothing
+  expectOk(await ipn(reference));
+  assert.equal(
+    await server.ctx.paymentCollection.countDocuments({
+      transactionId: reference,
+    }),
+    1
+  );
+
+  const revenue = expectOk(
+    await server.request("GET", "/tutor-revenue", { as: TUTOR })
+  );
+  assert.equal(revenue.currency, "bdt");
+  assert.equal(revenue.totalEarnings, 4050.45);
+});
+
+test("a failed IPN marks the checkout failed and hires nobody", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  const response = expectOk(await ipn(reference, { status: "FAILED" }));
+  assert.equal(response.settled, false);
+
+  const stored = await server.ctx.checkoutCollection.findOne({ reference });
+  assert.equal(stored.status, "failed");
+  assert.equal(await applicationStatus(ids.applicationId), "pending");
+});
+
+test("an IPN in another currency is not applied", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  const response = expectOk(await ipn(reference, { currency: "USD" }));
+  assert.equal(response.settled, false);
+  assert.equal(await applicationStatus(ids.applicationId), "pending");
+});
+
+test("checkout is refused once the hire can't happen", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  expectOk(await ipn(reference));
+
+  // The tuition is confirmed and the other application rejected
+  const response = await checkout(ids.otherApplicationId, "sslcommerz");
+  assert.equal(response.status, 409);
+  const again = await checkout(ids.applicationId, "sslcommerz");
+  assert.equal(again.status, 409);
+});
+
+test("the browser return settles and redirects to the client", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  const response = await withClientUrl("https://app.example.com", () =>
+    server.request("POST", "/payments/sslcommerz/return", {
+      form: {
+        status: "VALID",
+        tran_id: reference,
+        amount: "4500.50",
+        currency: "BDT",
+      },
+    })
+  );
+  assert.equal(response.status, 303);
+  const location = new URL(response.headers.get("location"));
+  assert.equal(location.origin, "https://app.example.com");
+  assert.equal(location.pathname, "/dashboard/payment-result");
+  assert.equal(location.searchParams.get("reference"), reference);
+  assert.equal(location.searchParams.get("status"), "success");
+  assert.equal(await applicationStatus(ids.applicationId), "accepted");
+});
+
+test("without CLIENT_URL the return answers with the outcome", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  const response = await withClientUrl(undefined, () =>
+    server.request("POST", "/payments/sslcommerz/return", {
+      form: { status: "CANCELLED", tran_id: reference },
+    })
+  );
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { reference, status: "failed" });
+});
+
+test("a bogus IPN can't mark a paid checkout failed", async () => {
+  const { reference } = expectOk(
+    await checkout(ids.applicationId, "sslcommerz")
+  );
+  expectOk(await ipn(reference));
+
+  const bogus = expectOk(await ipn(reference, { status: "FAILED" }));
+  assert.equal(bogus.settled, false);
+  const stored = await server.ctx.checkoutCollection.findOne({ reference });
+  assert.equal(stored.status, "paid");
+});
+
+test("provider errors aren't passed on to the client", async () => {
+  server.ctx.paymentProviders.sslcommerz.createCheckout = async () => {
+    throw new Error("store_passwd rejected for store etuition_live");
+  };
+  const response = await checkout(ids.applicationId, "sslcommerz");
+  assert.equal(response.status, 500);
+  assert.deepEqual(response.body, { message: "Failed to open checkout" });
+});
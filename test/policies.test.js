@@ -0,0 +1,427 @@
+// Every route against every kind of caller. `allow` lists who gets past the
+// access checks (any status but 401 and 403); `hidden` lists callers the
+// route answers 404 so as not to reveal other users' records. Everyone else
+// gets a 403, or a 401 when signed out. Each route runs against a fresh
+// scenario, denied callers first, so allowed calls that change data can't
+// affect the others.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createScenario, expectOk } = require("./support/scenario");
+
+const ROLES = [
+  "anonymous",
+  "admin",
+  "student",
+  "otherStudent",
+  "tutor",
+  "otherTutor",
+  "pendingTutor",
+];
+const SIGNED_IN = ROLES.filter((role) => role !== "anonymous");
+const STUDENTS = ["student", "otherStudent"];
+const TUTORS = ["tutor", "otherTutor", "pendingTutor"];
+const HIRE_PARTIES = ["admin", "student", "tutor"];
+
+const verificationForm = () => {
+  const form = new FormData();
+  form.append("education", "BSc Physics");
+  form.append(
+    "documents",
+    new Blob(["%PDF-1.4"], { type: "application/pdf" }),
+    "certificate.pdf"
+  );
+  return form;
+};
+
+// In paths, {self} is the caller's email and {a.b} a value from the
+// scenario. A `body` may be a function of the scenario and the caller's email.
+const POLICIES = [
+  ["GET", "/healthz", ROLES],
+  ["GET", "/readyz", ROLES],
+  ["GET", "/", ROLES],
+  [
+    "POST",
+    "/auth/local/token",
+    ROLES,
+    { body: (s) => ({ email: s.emails.student }) },
+  ],
+  ["POST", "/users", ROLES, { body: { email: "new.user@example.com" } }],
+  ["GET", "/users", ["admin"]],
+  ["GET", "/users?email={self}", SIGNED_IN],
+  ["GET", "/users/{users.student._id}", ["admin", "student"]],
+  [
+    "PATCH",
+    "/users/{users.otherStudent._id}",
+    ["admin"],
+    { body: { displayName: "Renamed" } },
+  ],
+  ["DELETE", "/users/{users.otherStudent._id}", ["admin"]],
+  [
+    "PATCH",
+    "/users/profile/update",
+    SIGNED_IN,
+    { body: { displayName: "Renamed" } },
+  ],
+  ["GET", "/latest-tutors", ROLES],
+  ["GET", "/tutors", ROLES],
+  ["PATCH", "/tutors/profile", TUTORS, { body: { bio: "Ten years" } }],
+  ["GET", "/tutors/{users.tutor._id}", ROLES],
+  ["POST", "/tutor-verification", TUTORS, { multipart: verificationForm }],
+  ["GET", "/tutor-verification", TUTORS],
+  ["GET", "/admin/verifications", ["admin"]],
+  ["GET", "/admin/verifications/{ids.verificationId}/documents/0", ["admin"]],
+  [
+    "PATCH",
+    "/admin/verifications/{ids.verificationId}",
+    ["admin"],
+    { body: { decision: "approved" } },
+  ],
+  ["GET", "/tuitions", SIGNED_IN],
+  ["GET", "/tuitions/{ids.tuitionId}", SIGNED_IN],
+  [
+    "POST",
+    "/tuitions",
+    STUDENTS,
+    { body: { subject: "Physics", location: "Mirpur", salary: 4000 } },
+  ],
+  [
+    "PATCH",
+    "/tuitions/{ids.tuitionId}",
+    ["admin", "student"],
+    { body: { description: "Twice a week" } },
+  ],
+  ["POST", "/tuitions/{ids.tuitionId}/renew", ["admin", "student"]],
+  ["GET", "/tutor-ongoing-tuitions", TUTORS],
+  ["DELETE", "/tuitions/{ids.tuitionId}", ["admin", "student"]],
+  ["GET", "/latest-tuitions", ROLES],
+  [
+    "POST",
+    "/applications",
+    ["tutor", "otherTutor"],
+    { body: (s) => ({ tuitionId: s.ids.tuitionId }) },
+  ],
+  ["GET", "/application/{self}", SIGNED_IN],
+  ["GET", "/application/{emails.tutor}", ["tutor"]],
+  [
+    "PATCH",
+    "/applications/shortlist/{ids.otherApplicationId}",
+    ["student"],
+    { hidden: ["otherStudent"] },
+  ],
+  [
+    "PATCH",
+    "/applications/reject/{ids.otherApplicationId}",
+    ["student"],
+    { hidden: ["otherStudent"] },
+  ],
+  [
+    "PATCH",
+    "/applications/withdraw/{ids.otherApplicationId}",
+    ["otherTutor"],
+    { hidden: ["tutor", "pendingTutor"] },
+  ],
+  ["GET", "/tuition-applications/{ids.tuitionId}", ["admin", "student"]],
+  [
+    "POST",
+    "/payments",
+    ["student"],
+    {
+      body: (s) => ({ reference: s.payment.transactionId }),
+    },
+  ],
+  [
+    "POST",
+    "/create-payment-intent",
+    ["student"],
+    {
+      body: (s) => ({ applicationId: s.ids.applicationId }),
+    },
+  ],
+  ["POST", "/stripe/webhook", ROLES, { body: {} }],
+  ["POST", "/payments/sslcommerz/ipn", ROLES, { form: { status: "FAILED" } }],
+  [
+    "POST",
+    "/payments/sslcommerz/return",
+    ROLES,
+    { form: { status: "FAILED" } },
+  ],
+  ["GET", "/bills", [...STUDENTS, ...TUTORS]],
+  [
+    "POST",
+    "/bills/{ids.billId}/checkout",
+    ["student"],
+    { body: {}, hidden: ["otherStudent"] },
+  ],
+  [
+    "POST",
+    "/applications/{ids.applicationId}/end",
+    HIRE_PARTIES,
+    { body: {}, hidden: ["otherStudent", "otherTutor", "pendingTutor"] },
+  ],
+  ["GET", "/applications/{ids.applicationId}/schedule", HIRE_PARTIES],
+  [
+    "PUT",
+    "/applications/{ids.applicationId}/schedule",
+    HIRE_PARTIES,
+    {
+      body: {
+        slots: [{ weekday: 1, start: "17:00", durationMinutes: 60 }],
+      },
+    },
+  ],
+  [
+    "POST",
+    "/applications/{ids.applicationId}/sessions",
+    HIRE_PARTIES,
+    {
+      body: (s) => ({
+        startsAt: new Date(
+          s.clock.now().getTime() + 3 * 24 * 60 * 60 * 1000
+        ).toISOString(),
+        durationMinutes: 60,
+      }),
+    },
+  ],
+  ["GET", "/sessions", [...STUDENTS, ...TUTORS]],
+  [
+    "POST",
+    "/sessions/{ids.sessionId}/cancel",
+    ["student", "tutor"],
+    { body: {} },
+  ],
+  [
+    "PATCH",
+    "/sessions/{ids.sessionId}/attendance",
+    ["tutor"],
+    { body: { attendance: "present" } },
+  ],
+  [
+    "PATCH",
+    "/sessions/{ids.sessionId}/confirmation",
+    ["student"],
+    { body: { confirmation: "confirmed" } },
+  ],
+  ["GET", "/attendance/2026-01", SIGNED_IN],
+  ["POST", "/calendar/feed", SIGNED_IN],
+  ["GET", "/calendar/not-a-token.ics", ROLES],
+  ["GET", "/tutor-revenue", TUTORS],
+  ["GET", "/admin-stats", ["admin"]],
+  ["GET", "/admin/analytics", ["admin"]],
+  ["GET", "/admin/analytics/revenue", ["admin"]],
+  ["GET", "/payments/history", STUDENTS],
+  ["GET", "/payments/{ids.paymentId}/invoice", HIRE_PARTIES],
+  ["GET", "/statements/2026-01", SIGNED_IN],
+  ["GET", "/notifications", SIGNED_IN],
+  ["GET", "/notifications/unread-count", SIGNED_IN],
+  ["PATCH", "/notifications/read-all", SIGNED_IN],
+  [
+    "PATCH",
+    "/notifications/{ids.notificationId}/read",
+    ["student"],
+    { hidden: SIGNED_IN.filter((role) => role !== "student") },
+  ],
+  ["POST", "/notifications/stream-ticket", SIGNED_IN],
+  ["GET", "/applications/{ids.applicationId}/thread", HIRE_PARTIES],
+  ["GET", "/threads", SIGNED_IN],
+  ["GET", "/threads/{ids.threadId}/messages", HIRE_PARTIES],
+  [
+    "POST",
+    "/threads/{ids.threadId}/messages",
+    ["student", "tutor"],
+    { body: { body: "See you Monday" } },
+  ],
+  ["PATCH", "/threads/{ids.threadId}/read", HIRE_PARTIES],
+  [
+    "POST",
+    "/threads/{ids.threadId}/flag",
+    HIRE_PARTIES,
+    { body: { reason: "Rude" } },
+  ],
+  ["GET", "/admin/threads", ["admin"]],
+  ["PATCH", "/admin/threads/{ids.threadId}/resolve", ["admin"]],
+  ["GET", "/tutor-balance", TUTORS],
+  ["GET", "/tutor-ledger", TUTORS],
+  [
+    "POST",
+    "/payouts",
+    TUTORS,
+    {
+      body: { amount: 10, method: "bkash", accountDetails: "01700000000" },
+    },
+  ],
+  ["GET", "/payouts", ["admin", ...TUTORS]],
+  [
+    "PATCH",
+    "/admin/payouts/{ids.payoutId}",
+    ["admin"],
+    { body: { action: "reject", note: "Wrong number" } },
+  ],
+  ["GET", "/admin/ledger", ["admin"]],
+  ["GET", "/admin/deleted/tuitions", ["admin"]],
+  ["POST", "/admin/deleted/tuitions/{ids.tuitionId}/restore", ["admin"]],
+  ["GET", "/admin/audit-log", ["admin"]],
+  ["GET", "/admin/rate-limits", ["admin"]],
+  ["DELETE", "/admin/rate-limits/browse:ip:127.0.0.1", ["admin"]],
+  ["GET", "/admin/jobs", ["admin"]],
+  ["GET", "/admin/jobs/expireTuitions/runs", ["admin"]],
+  ["POST", "/admin/jobs/expireTuitions/run", ["admin"]],
+  [
+    "POST",
+    "/payments/{ids.paymentId}/disputes",
+    ["student"],
+    { body: { reason: "Charged twice" }, hidden: ["otherStudent"] },
+  ],
+  ["GET", "/disputes", SIGNED_IN],
+  [
+    "PATCH",
+    "/admin/disputes/{ids.disputeId}/resolve",
+    ["admin"],
+    { body: { decision: "reject", note: "Class was held" } },
+  ],
+  [
+    "POST",
+    "/reviews",
+    ["student"],
+    {
+      body: (s) => ({ applicationId: s.ids.applicationId, rating: 4 }),
+      hidden: ["otherStudent"],
+    },
+  ],
+  [
+    "PATCH",
+    "/reviews/{ids.reviewId}/reply",
+    ["tutor"],
+    { body: { reply: "Thank you!" }, hidden: ["otherTutor", "pendingTutor"] },
+  ],
+  ["GET", "/tutors/{users.tutor._id}/reviews", ROLES],
+  ["GET", "/admin/reviews", ["admin"]],
+  [
+    "PATCH",
+    "/admin/reviews/{ids.reviewId}",
+    ["admin"],
+    { body: { hidden: true, hiddenReason: "Spam" } },
+  ],
+];
+
+const resolvePath = (path, scenario, email) =>
+  path.replace(/\{([\w.]+)\}/g, (match, key) =>
+    key === "self"
+      ? email
+      : String(key.split(".").reduce((value, part) => value[part], scenario))
+  );
+
+const resolve = (value, scenario, email) =>
+  typeof value === "function" ? value(scenario, email) : value;
+
+const expectedStatus = (role, allow, hidden) => {
+  if (allow.includes(role)) return "allowed";
+  if (hidden.includes(role)) return 404;
+  return role === "anonymous" ? 401 : 403;
+};
+
+for (const [method, path, allow, options = {}] of POLICIES) {
+  test(`${method} ${path}`, async () => {
+    const scenario = await createScenario();
+    const hidden = options.hidden || [];
+    const order = [
+      ...ROLES.filter((role) => !allow.includes(role)),
+      ...ROLES.filter((role) => allow.includes(role)),
+    ];
+
+    try {
+      for (const role of order) {
+        const email = scenario.emails[role];
+        const response = await scenario.request(
+          method,
+          resolvePath(path, scenario, email),
+          {
+            as: email,
+            body: resolve(options.body, scenario, email),
+            form: options.form,
+            multipart: options.multipart?.(),
+          }
+        );
+
+        const expected = expectedStatus(role, allow, hidden);
+        const detail = `${role} got ${response.status}: ${JSON.stringify(
+          response.body
+        )}`;
+        if (expected === "allowed") {
+          assert.ok(![401, 403].includes(response.status), detail);
+        } else {
+          assert.equal(response.status, expected, detail);
+        }
+      }
+    } finally {
+      await scenario.server.close();
+    }
+  });
+}
+
+// The event stream stays open, so it can't go through the table. It takes a
+// single-use ticket in place of a bearer token in the URL.
+test("GET /notifications/stream", async () => {
+  const { server, request, emails } = await createScenario();
+  const controller = new AbortController();
+  const openStream = async () => {
+    const { ticket } = expectOk(
+      await request("POST", "/notifications/stream-ticket", {
+        as: emails.student,
+      })
+    );
+    const response = await fetch(
+      `${server.baseUrl}/notifications/stream?ticket=${ticket}`,
+      { signal: controller.signal }
+    );
+    return { ticket, response };
+  };
+
+  try {
+    assert.equal((await request("GET", "/notifications/stream")).status, 401);
+    assert.equal(
+      (await request("GET", "/notifications/stream?ticket=made-up")).status,
+      401
+    );
+
+    const { ticket, response } = await openStream();
+    assert.equal(response.status, 200);
+    const { value } = await response.body.getReader().read();
+    assert.match(Buffer.from(value).toString(), /event: unread-count/);
+
+    const reused = await request(
+      "GET",
+      `/notifications/stream?ticket=${ticket}`
+    );
+    assert.equal(reused.status, 401);
+
+    // Five streams per user by default
+    for (let open = 1; open < 5; open++) {
+      assert.equal((await openStream()).response.status, 200);
+    }
+    assert.equal((await openStream()).response.status, 429);
+  } finally {
+    controller.abort();
+    await server.close();
+  }
+});
+
+test("stream tickets expire on the app's clock", async () => {
+  const { server, request, emails, clock } = await createScenario();
+  const controller = new AbortController();
+  try {
+    const { ticket, expiresIn } = expectOk(
+      await request("POST", "/notifications/stream-ticket", {
+        as: emails.student,
+      })
+    );
+    clock.advance(expiresIn * 1000);
+    const response = await fetch(
+      `${server.baseUrl}/notifications/stream?ticket=${ticket}`,
+      { signal: controller.signal }
+    );
+    assert.equal(response.status, 401);
+  } finally {
+    controller.abort();
+    await server.close();
+  }
+});
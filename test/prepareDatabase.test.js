@@ -0,0 +1,57 @@
+// prepareDatabase runs on every start, over whatever an older version left
+// in the database.
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./support/server");
+const { createFakeDb } = require("./support/fakeMongo");
+
+let server;
+
+afterEach(() => server?.close());
+
+const TUTOR = "tutor@example.com";
+const APPLIED_AT = new Date("2025-06-01T00:00:00Z");
+
+// An application stored before the one-per-tutor index was scoped
+const legacyApplication = (tuitionId, status, minutesLater) => ({
+  tuitionId,
+  tutorEmail: TUTOR,
+  studentEmail: "student@example.com",
+  status,
+  appliedAt: new Date(APPLIED_AT.getTime() + minutesLater * 60 * 1000),
+  statusHistory: [{ status, by: TUTOR, at: APPLIED_AT }],
+});
+
+test("duplicate open applications are withdrawn, closed ones left alone", async () => {
+  const db = createFakeDb();
+  const applications = db.collection("applications");
+  const docs = {
+    earliest: legacyApplication("t1", "pending", 0),
+    later: legacyApplication("t1", "shortlisted", 5),
+    accepted: legacyApplication("t2", "accepted", 5),
+    beforeAccepted: legacyApplication("t2", "pending", 0),
+    rejected: legacyApplication("t3", "rejected", 0),
+    cancelled: legacyApplication("t3", "cancelled", 5),
+  };
+  for (const doc of Object.values(docs)) {
+    await applications.insertOne(doc);
+  }
+
+  server = await startServer({ db });
+  const load = async (name) => applications.findOne({ _id: docs[name]._id });
+
+  assert.equal((await load("earliest")).status, "pending");
+  assert.equal((await load("accepted")).status, "accepted");
+  for (const name of ["later", "beforeAccepted"]) {
+    const withdrawn = await load(name);
+    assert.equal(withdrawn.status, "withdrawn");
+    assert.equal(withdrawn.statusHistory.at(-1).by, "system");
+  }
+
+  // No transition leads out of rejected or cancelled
+  for (const name of ["rejected", "cancelled"]) {
+    const closed = await load(name);
+    assert.equal(closed.status, docs[name].status);
+    assert.equal(closed.statusHistory.length, 1);
+  }
+});
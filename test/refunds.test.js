@@ -0,0 +1,229 @@
+// Refunds are issued by resolving a dispute: partial refunds accumulate on
+// the payment, and a full refund of an ongoing hire cancels it and reopens
+// the tuition.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  createScenario,
+  expectOk,
+  payWrongAmount,
+} = require("./support/scenario");
+const { DAY } = require("./support/server");
+
+let scenario;
+
+beforeEach(async () => {
+  scenario = await createScenario();
+});
+
+afterEach(() => scenario.server.close());
+
+const resolve = (body) =>
+  scenario.request(
+    "PATCH",
+    `/admin/disputes/${scenario.ids.disputeId}/resolve`,
+    { as: scenario.emails.admin, body }
+  );
+
+const find = (collection, id) =>
+  scenario.ctx[collection].findOne({ _id: new ObjectId(id) });
+
+// Raises another dispute on the hire's payment and returns its id
+const dispute = async () =>
+  expectOk(
+    await scenario.request(
+      "POST",
+      `/payments/${scenario.ids.paymentId}/disputes`,
+      { as: scenario.emails.student, body: { reason: "Still unhappy" } }
+    )
+  ).insertedId;
+
+test("a partial refund is recorded and the hire goes on", async () => {
+  const outcome = expectOk(await resolve({ decision: "refund", amount: 1000 }));
+  assert.equal(outcome.isFullRefund, false);
+  assert.equal(outcome.refundedAmount, 1000);
+
+  const payment = await find("paymentCollection", scenario.ids.paymentId);
+  assert.equal(payment.paymentStatus, "partially_refunded");
+  assert.equal(payment.refundedMinor, 100000);
+  assert.equal(payment.refunds.length, 1);
+
+  const disputeDoc = await find("disputeCollection", scenario.ids.disputeId);
+  assert.equal(disputeDoc.status, "refunded");
+  assert.equal(disputeDoc.refundMinor, 100000);
+
+  const application = await find(
+    "applicationCollection",
+    scenario.ids.applicationId
+  );
+  assert.equal(application.status, "accepted");
+  const tuition = await find("tuitionCollection", scenario.ids.tuitionId);
+  assert.equal(tuition.status, "confirmed");
+});
+
+test("partial refunds add up and can't exceed the payment", async () => {
+  expectOk(await resolve({ decision: "refund", amount: 1000 }));
+
+  const secondId = await dispute();
+  const tooMuch = await scenario.request(
+    "PATCH",
+    `/admin/disputes/${secondId}/resolve`,
+    { as: scenario.emails.admin, body: { decision: "refund", amount: 4500 } }
+  );
+  assert.equal(tooMuch.status, 400);
+
+  const rest = expectOk(
+    await scenario.request("PATCH", `/admin/disputes/${secondId}/resolve`, {
+      as: scenario.emails.admin,
+      body: { decision: "refund" },
+    })
+  );
+  assert.equal(rest.refundedAmount, 5000);
+  assert.equal(rest.isFullRefund, true);
+
+  const payment = await find("paymentCollection", scenario.ids.paymentId);
+  assert.equal(payment.paymentStatus, "refunded");
+  assert.equal(payment.refundedMinor, 500000);
+});
+
+test("a full refund cancels the hire and reopens the tuition", async () => {
+  const upcoming = expectOk(
+    await scenario.request(
+      "POST",
+      `/applications/${scenario.ids.applicationId}/sessions`,
+      {
+        as: scenario.emails.tutor,
+        body: {
+          startsAt: new Date(
+            scenario.clock.now().getTime() + DAY
+          ).toISOString(),
+          durationMinutes: 60,
+        },
+      }
+    )
+  );
+  const outcome = expectOk(await resolve({ decision: "refund" }));
+  assert.equal(outcome.isFullRefund, true);
+
+  const payment = await find("paymentCollection", scenario.ids.paymentId);
+  assert.equal(payment.paymentStatus, "refunded");
+  assert.equal(payment.refundedMinor, payment.amountMinor);
+
+  const application = await find(
+    "applicationCollection",
+    scenario.ids.applicationId
+  );
+  assert.equal(application.status, "cancelled");
+
+  const tuition = await find("tuitionCollection", scenario.ids.tuitionId);
+  const now = scenario.clock.now().getTime();
+  assert.equal(tuition.status, "approved");
+  assert.equal(tuition.reopenedAt.getTime(), now);
+  assert.ok(tuition.expiresAt.getTime() > now);
+
+  // Sessions already held stay on the record
+  const held = await find("classSessionCollection", scenario.ids.sessionId);
+  assert.equal(held.status, "scheduled");
+  const cancelled = await find("classSessionCollection", upcoming._id);
+  assert.equal(cancelled.status, "cancelled");
+});
+
+test("a full refund after the engagement ended leaves it ended", async () => {
+  expectOk(
+    await scenario.request(
+      "POST",
+      `/applications/${scenario.ids.applicationId}/end`,
+      { as: scenario.emails.student, body: {} }
+    )
+  );
+  scenario.clock.advance(DAY);
+
+  expectOk(await resolve({ decision: "refund" }));
+
+  const application = await find(
+    "applicationCollection",
+    scenario.ids.applicationId
+  );
+  assert.equal(application.status, "ended");
+  const tuition = await find("tuitionCollection", scenario.ids.tuitionId);
+  assert.notEqual(tuition.status, "approved");
+  assert.equal(tuition.reopenedAt, undefined);
+});
+
+test("a rejected dispute refunds nothing", async () => {
+  expectOk(await resolve({ decision: "reject", note: "Class was held" }));
+
+  const payment = await find("paymentCollection", scenario.ids.paymentId);
+  assert.equal(payment.refundedMinor, undefined);
+  const again = await resolve({ decision: "refund" });
+  assert.equal(again.status, 404);
+});
+
+test("revenue reports account for refunds", async () => {
+  expectOk(await resolve({ decision: "refund", amount: 1000 }));
+
+  const revenue = expectOk(
+    await scenario.request("GET", "/tutor-revenue", {
+      as: scenario.emails.tutor,
+    })
+  );
+  assert.equal(revenue.totalRefunded, 1000);
+  // The tutor keeps their share of what wasn't refunded, after commission
+  assert.equal(revenue.totalEarnings, 3600);
+
+  const stats = expectOk(
+    await scenario.request("GET", "/admin-stats", {
+      as: scenario.emails.admin,
+    })
+  );
+  assert.equal(stats.totalRevenue, 5000);
+  assert.equal(stats.totalRefunded, 1000);
+  assert.equal(stats.netRevenue, 4000);
+});
+
+// A refused payment whose automatic refund fails, left for the retry job
+const unappliedPayment = async () => {
+  scenario.ctx.paymentProviders.sslcommerz.refund = async () => {
+    throw new Error("Gateway unavailable");
+  };
+  const payment = await payWrongAmount(scenario);
+  assert.equal(payment.paymentStatus, "unapplied");
+  return payment;
+};
+
+test("an unapplied payment can't be disputed", async () => {
+  const payment = await unappliedPayment();
+  const response = await scenario.request(
+    "POST",
+    `/payments/${payment._id}/disputes`,
+    { as: scenario.emails.student, body: { reason: "Refund me" } }
+  );
+  assert.equal(response.status, 409);
+  assert.equal(response.body.message, "This payment is already being refunded");
+});
+
+test("a dispute already open on an unapplied payment refunds nothing", async () => {
+  const payment = await unappliedPayment();
+  const { insertedId } = await scenario.ctx.disputeCollection.insertOne({
+    paymentId: payment._id,
+    studentEmail: payment.studentEmail,
+    tutorEmail: payment.tutorEmail,
+    reason: "Opened before disputes checked for this",
+    status: "open",
+    createdAt: scenario.clock.now(),
+  });
+
+  let refunds = 0;
+  scenario.ctx.paymentProviders.sslcommerz.refund = async () => {
+    refunds += 1;
+    return { refundId: "should-not-happen" };
+  };
+  const response = await scenario.request(
+    "PATCH",
+    `/admin/disputes/${insertedId}/resolve`,
+    { as: scenario.emails.admin, body: { decision: "refund" } }
+  );
+  assert.equal(response.status, 409);
+  assert.equal(refunds, 0);
+});
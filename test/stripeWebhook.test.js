@@ -0,0 +1,183 @@
+// The hire runs only when Stripe's signed payment_intent.succeeded arrives;
+// payloads here are signed locally with the webhook secret.
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_secret";
+
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const stripe = require("stripe")("sk_test_mock");
+const { startServer, addUser } = require("./support/server");
+const { USERS, expectOk, postTuition, apply } = require("./support/scenario");
+
+const ADMIN = USERS.admin[0];
+const STUDENT = USERS.student[0];
+const TUTOR = USERS.tutor[0];
+const OTHER_TUTOR = USERS.otherTutor[0];
+
+let server;
+let ids;
+let checkout;
+
+beforeEach(async () => {
+  server = await startServer();
+  for (const [email, role] of [
+    [ADMIN, "admin"],
+    [STUDENT, "student"],
+    [TUTOR, "tutor"],
+    [OTHER_TUTOR, "tutor"],
+  ]) {
+    await addUser(server.ctx, email, role);
+  }
+  const tuitionId = await postTuition(server, STUDENT, { salary: 6000 });
+  ids = {
+    tuitionId,
+    applicationId: await apply(server, TUTOR, tuitionId),
+    otherApplicationId: await apply(server, OTHER_TUTOR, tuitionId),
+  };
+  checkout = expectOk(
+    await server.request("POST", "/create-payment-intent", {
+      as: STUDENT,
+      body: { applicationId: ids.applicationId },
+    })
+  );
+});
+
+afterEach(() => server.close());
+
+const intentEvent = (overrides = {}) => ({
+  id: `evt_${Date.now()}`,
+  type: "payment_intent.succeeded",
+  data: {
+    object: {
+      id: checkout.reference,
+      amount_received: 600000,
+      currency: "bdt",
+      ...overrides,
+    },
+  },
+});
+
+const deliver = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return server.request("POST", "/stripe/webhook", {
+    body: payload,
+    headers: {
+      "stripe-signature": stripe.webhooks.generateTestHeaderString({
+        payload,
+        secret,
+      }),
+    },
+  });
+};
+
+const applicationStatus = async (id) =>
+  (await server.ctx.applicationCollection.findOne({ _id: new ObjectId(id) }))
+    .status;
+
+test("the checkout is priced from the tuition's stored salary", async () => {
+  assert.equal(checkout.provider, "stripe");
+  assert.equal(checkout.amount, 6000);
+  assert.equal(checkout.currency, "bdt");
+});
+
+test("a signed payment_intent.succeeded runs the hire", async () => {
+  const response = await deliver(intentEvent());
+  assert.equal(response.status, 200);
+  assert.equal(response.body.settled, true);
+
+  assert.equal(await applicationStatus(ids.applicationId), "accepted");
+  assert.equal(await applicationStatus(ids.otherApplicationId), "rejected");
+  const tuition = await server.ctx.tuitionCollection.findOne({
+    _id: new ObjectId(ids.tuitionId),
+  });
+  assert.equal(tuition.status, "confirmed");
+
+  const confirmed = expectOk(
+    await server.request("POST", "/payments", {
+      as: STUDENT,
+      body: { reference: checkout.reference },
+    })
+  );
+  assert.equal(confirmed.success, true);
+  assert.equal(confirmed.payment.amountMinor, 600000);
+  assert.equal(confirmed.payment.tutorEmail, TUTOR);
+});
+
+test("a redelivered event records the payment once", async () => {
+  const event = intentEvent();
+  assert.equal((await deliver(event)).status, 200);
+  assert.equal((await deliver(event)).status, 200);
+  assert.equal(
+    await server.ctx.paymentCollection.countDocuments({
+      transactionId: checkout.reference,
+    }),
+    1
+  );
+});
+
+test("unsigned and wrongly signed payloads are refused", async () => {
+  const unsigned = await server.request("POST", "/stripe/webhook", {
+    body: intentEvent(),
+  });
+  assert.equal(unsigned.status, 400);
+
+  const forged = await deliver(intentEvent(), "whsec_someone_else");
+  assert.equal(forged.status, 400);
+
+  assert.equal(await applicationStatus(ids.applicationId), "pending");
+  assert.equal(await server.ctx.paymentCollection.countDocuments({}), 0);
+});
+
+test("other event types are acknowledged and ignored", async () => {
+  const response = await deliver({
+    ...intentEvent(),
+    type: "payment_intent.payment_failed",
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, { received: true });
+  assert.equal(await applicationStatus(ids.applicationId), "pending");
+});
+
+test("posting a payment without the webhook hires nobody", async () => {
+  const response = await server.request("POST", "/payments", {
+    as: STUDENT,
+    body: { reference: checkout.reference },
+  });
+  assert.equal(response.status, 202);
+  assert.equal(await applicationStatus(ids.applicationId), "pending");
+});
+
+test("a payment that doesn't match the checkout is refunded, not applied", async () => {
+  const response = await deliver(intentEvent({ amount_received: 100 }));
+  assert.equal(response.status, 200);
+  assert.equal(response.body.settled, false);
+  assert.equal(await applicationStatus(ids.applicationId), "pending");
+
+  const payment = await server.ctx.paymentCollection.findOne({
+    transactionId: checkout.reference,
+  });
+  assert.equal(payment.paymentStatus, "refunded");
+  assert.equal(
+    payment.refusedReason,
+    "Paid amount does not match the checkout"
+  );
+  assert.equal(payment.refundedMinor, 100);
+});
+
+test("a refused payment stays out of the tutor's revenue", async () => {
+  const revenue = () =>
+    server.request("GET", "/tutor-revenue", { as: TUTOR }).then(expectOk);
+  const before = await revenue();
+
+  // The refund fails, so the payment is left unapplied for the retry job
+  server.ctx.paymentProviders.stripe.refund = async () => {
+    throw new Error("Stripe is unavailable");
+  };
+  await deliver(intentEvent({ amount_received: 100 }));
+  const payment = await server.ctx.paymentCollection.findOne({
+    transactionId: checkout.reference,
+  });
+  assert.equal(payment.paymentStatus, "unapplied");
+
+  assert.deepEqual(await revenue(), before);
+});
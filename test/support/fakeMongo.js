@@ -0,0 +1,327 @@
+// An in-memory stand-in for the MongoDB driver's client and database, enough
+// for createApp: queries, updates and aggregations are evaluated by mingo.
+// Transactions just run their callback, and only _id and unique indexes are
+// enforced.
+const mingo = require("mingo");
+const { ObjectId } = require("mongodb");
+
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof ObjectId || Buffer.isBuffer(value)) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+// A stable string for comparing documents and index keys
+const fingerprint = (value) =>
+  JSON.stringify(value, (key, item) =>
+    item instanceof ObjectId ? `oid:${item.toHexString()}` : item
+  );
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+const matches = (query, doc) => new mingo.Query(query || {}).test(doc);
+
+const duplicateKeyError = (collection, index) =>
+  Object.assign(
+    new Error(
+      `E11000 duplicate key error collection: ${collection} index: ${index}`
+    ),
+    { code: 11000 }
+  );
+
+// The equality fields of a filter, which an upsert copies into its insert
+const upsertSeed = (filter) => {
+  const seed = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith("$")) continue;
+    const isOperator =
+      value &&
+      typeof value === "object" &&
+      !(value instanceof ObjectId) &&
+      !(value instanceof Date) &&
+      Object.keys(value).some((k) => k.startsWith("$"));
+    if (!isOperator) seed[key] = clone(value);
+  }
+  return seed;
+};
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  project(spec) {
+    this.options.projection = spec;
+    return this;
+  }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+}
+
+class FakeCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.docs = [];
+    this.indexes = new Map();
+  }
+
+  // Reads run on copies so callers can't change stored documents
+  select(query, { sort, skip, limit, projection } = {}) {
+    let cursor = mingo.find(this.docs, query || {}, projection);
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all().map(clone);
+  }
+
+  checkUnique(doc) {
+    const id = fingerprint(doc._id);
+    if (
+      this.docs.some((other) => other !== doc && fingerprint(other._id) === id)
+    ) {
+      throw duplicateKeyError(this.collectionName, "_id_");
+    }
+    for (const [name, { keys, options }] of this.indexes) {
+      if (!options.unique) continue;
+      const indexes = (candidate) =>
+        (!options.partialFilterExpression ||
+          matches(options.partialFilterExpression, candidate)) &&
+        (!options.sparse ||
+          Object.keys(keys).some(
+            (key) => getPath(candidate, key) !== undefined
+          ));
+      if (!indexes(doc)) continue;
+
+      const key = (candidate) =>
+        fingerprint(
+          Object.keys(keys).map((k) => getPath(candidate, k) ?? null)
+        );
+      const clash = this.docs.some(
+        (other) => other !== doc && indexes(other) && key(other) === key(doc)
+      );
+      if (clash) throw duplicateKeyError(this.collectionName, name);
+    }
+  }
+
+  // Applies an update document or pipeline in place; true when it changed
+  applyUpdate(doc, update, { inserting = false } = {}) {
+    const before = fingerprint(doc);
+    if (Array.isArray(update)) {
+      const [result] = mingo.aggregate([clone(doc)], update);
+      for (const key of Object.keys(doc)) delete doc[key];
+      Object.assign(doc, result);
+    } else {
+      const { $setOnInsert, ...operators } = update;
+      if (Object.keys(operators).length) mingo.update(doc, clone(operators));
+      if (inserting && $setOnInsert) {
+        mingo.update(doc, { $set: clone($setOnInsert) });
+      }
+    }
+    return fingerprint(doc) !== before;
+  }
+
+  // Updates (or upserts) the first `limit` matches and returns the touched
+  // documents as they were before and after
+  modify(filter, update, { upsert, sort, limit } = {}) {
+    let targets = this.docs.filter((doc) => matches(filter, doc));
+    if (sort) targets = mingo.find(targets, {}).sort(sort).all();
+    if (limit) targets = targets.slice(0, limit);
+
+    if (!targets.length && upsert) {
+      const doc = upsertSeed(filter);
+      this.applyUpdate(doc, update, { inserting: true });
+      doc._id ??= new ObjectId();
+      this.checkUnique(doc);
+      this.docs.push(doc);
+      return { matched: [], modified: 0, upserted: doc };
+    }
+
+    let modified = 0;
+    const matched = [];
+    for (const doc of targets) {
+      const before = clone(doc);
+      if (this.applyUpdate(doc, update)) {
+        try {
+          this.checkUnique(doc);
+        } catch (err) {
+          for (const key of Object.keys(doc)) delete doc[key];
+          Object.assign(doc, before);
+          throw err;
+        }
+        modified += 1;
+      }
+      matched.push({ before, after: doc });
+    }
+    return { matched, modified, upserted: null };
+  }
+
+  find(query, options = {}) {
+    return new FakeCursor((cursorOptions) =>
+      this.select(query, { ...options, ...cursorOptions })
+    );
+  }
+
+  async findOne(query, options = {}) {
+    const [doc] = this.select(query, { ...options, limit: 1 });
+    return doc ?? null;
+  }
+
+  async countDocuments(query) {
+    return this.docs.filter((doc) => matches(query, doc)).length;
+  }
+
+  async insertOne(doc) {
+    // Like the driver, give the caller's document its _id
+    doc._id ??= new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  updateResult({ matched, modified, upserted }) {
+    return {
+      acknowledged: true,
+      matchedCount: matched.length,
+      modifiedCount: modified,
+      upsertedCount: upserted ? 1 : 0,
+      upsertedId: upserted ? upserted._id : null,
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    return this.updateResult(
+      this.modify(filter, update, { ...options, limit: 1 })
+    );
+  }
+
+  async updateMany(filter, update, options = {}) {
+    return this.updateResult(this.modify(filter, update, options));
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const { matched, upserted } = this.modify(filter, update, {
+      ...options,
+      limit: 1,
+    });
+    const after = options.returnDocument === "after";
+    let doc = null;
+    if (upserted) {
+      doc = after ? clone(upserted) : null;
+    } else if (matched.length) {
+      doc = after ? clone(matched[0].after) : matched[0].before;
+    }
+    if (doc && options.projection) {
+      [doc] = mingo.find([doc], {}, options.projection).all();
+    }
+    return doc;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    const [target] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (!target) return null;
+    const key = fingerprint(target._id);
+    this.docs = this.docs.filter((doc) => fingerprint(doc._id) !== key);
+    return target;
+  }
+
+  async deleteMany(filter) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter((doc) => !matches(filter, doc));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  aggregate(pipeline) {
+    return {
+      toArray: async () =>
+        mingo
+          .aggregate(this.docs.map(clone), pipeline, {
+            collectionResolver: (name) => this.db.collection(name).docs,
+          })
+          .map(clone),
+    };
+  }
+
+  async createIndex(keys, options = {}) {
+    // Text indexes only serve $text, which mingo doesn't evaluate
+    if (Object.values(keys).includes("text")) return options.name;
+    const name =
+      options.name ||
+      Object.entries(keys)
+        .map(([key, direction]) => `${key}_${direction}`)
+        .join("_");
+    this.indexes.set(name, { keys, options });
+    return name;
+  }
+
+  async dropIndex(name) {
+    if (!this.indexes.delete(name)) {
+      throw Object.assign(new Error(`index not found with name [${name}]`), {
+        codeName: "IndexNotFound",
+      });
+    }
+  }
+}
+
+const createFakeDb = () => {
+  const collections = new Map();
+  const db = {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new FakeCollection(name, db));
+      }
+      return collections.get(name);
+    },
+    listCollections() {
+      return {
+        toArray: async () => [...collections.keys()].map((name) => ({ name })),
+      };
+    },
+    async createCollection(name) {
+      return db.collection(name);
+    },
+    // collMod, ping: schema validators are not enforced
+    async command() {
+      return { ok: 1 };
+    },
+  };
+  return db;
+};
+
+const createFakeClient = () => ({
+  startSession: () => ({
+    withTransaction: async (callback) => {
+      await callback();
+    },
+    endSession: async () => {},
+  }),
+  close: async () => {},
+});
+
+module.exports = { createFakeDb, createFakeClient };
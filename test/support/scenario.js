@@ -0,0 +1,227 @@
+// Builds a marketplace with one of everything through the API: a hire paid
+// through SSLCommerz, its thread, a class session, a bill, a review, a
+// dispute, a payout request and a verification submission.
+const assert = require("node:assert/strict");
+const { startServer, addUser, createTestClock, DAY } = require("./server");
+
+const USERS = {
+  admin: ["admin@example.com", "admin"],
+  student: ["student@example.com", "student"],
+  otherStudent: ["other.student@example.com", "student"],
+  tutor: ["tutor@example.com", "tutor"],
+  otherTutor: ["other.tutor@example.com", "tutor"],
+  pendingTutor: ["pending.tutor@example.com", "tutor", { status: "pending" }],
+};
+
+// The body of a 2xx response; anything else fails the test
+const expectOk = (response) => {
+  assert.ok(
+    response.status >= 200 && response.status < 300,
+    `expected success, got ${response.status}: ${JSON.stringify(response.body)}`
+  );
+  return response.body;
+};
+
+// An approved tuition post by `student`
+const postTuition = async (server, student, fields = {}) => {
+  const { insertedId } = expectOk(
+    await server.request("POST", "/tuitions", {
+      as: student,
+      body: {
+        subject: "Mathematics",
+        class: "8",
+        location: "Dhanmondi, Dhaka",
+        salary: 5000,
+        ...fields,
+      },
+    })
+  );
+  expectOk(
+    await server.request("PATCH", `/tuitions/${insertedId}`, {
+      as: USERS.admin[0],
+      body: { status: "approved" },
+    })
+  );
+  return insertedId;
+};
+
+const apply = async (server, tutor, tuitionId) =>
+  expectOk(
+    await server.request("POST", "/applications", {
+      as: tutor,
+      body: { tuitionId, expectedSalary: 5000, message: "I can help" },
+    })
+  ).insertedId;
+
+// Opens an SSLCommerz checkout for the hire and delivers its IPN
+const hire = async (server, student, applicationId) => {
+  const checkout = expectOk(
+    await server.request("POST", "/create-payment-intent", {
+      as: student,
+      body: { applicationId, provider: "sslcommerz" },
+    })
+  );
+  expectOk(
+    await server.request("POST", "/payments/sslcommerz/ipn", {
+      form: {
+        status: "VALID",
+        tran_id: checkout.reference,
+        amount: String(checkout.amount),
+        currency: checkout.currency.toUpperCase(),
+      },
+    })
+  );
+  return server.ctx.paymentCollection.findOne({
+    transactionId: checkout.reference,
+  });
+};
+
+// Opens a second hire and pays it the wrong amount through SSLCommerz, so
+// the payment is refused and recorded as unapplied
+const payWrongAmount = async ({ server, emails }) => {
+  const tuitionId = await postTuition(server, emails.student);
+  const applicationId = await apply(server, emails.tutor, tuitionId);
+  const checkout = expectOk(
+    await server.request("POST", "/create-payment-intent", {
+      as: emails.student,
+      body: { applicationId, provider: "sslcommerz" },
+    })
+  );
+  await server.request("POST", "/payments/sslcommerz/ipn", {
+    form: {
+      status: "VALID",
+      tran_id: checkout.reference,
+      amount: "1",
+      currency: "BDT",
+    },
+  });
+  const payment = await server.ctx.paymentCollection.findOne({
+    transactionId: checkout.reference,
+  });
+  assert.ok(payment?.refusedReason, "the payment was not refused");
+  return payment;
+};
+
+const createScenario = async () => {
+  const clock = createTestClock();
+  const server = await startServer({ clock });
+  const { ctx, request } = server;
+
+  const emails = {};
+  const users = {};
+  for (const [name, [email, role, fields]] of Object.entries(USERS)) {
+    emails[name] = email;
+    users[name] = await addUser(ctx, email, role, fields);
+  }
+
+  const tuitionId = await postTuition(server, emails.student);
+  const applicationId = await apply(server, emails.tutor, tuitionId);
+  const otherApplicationId = await apply(server, emails.otherTutor, tuitionId);
+  const payment = await hire(server, emails.student, applicationId);
+
+  const thread = expectOk(
+    await request("GET", `/applications/${applicationId}/thread`, {
+      as: emails.student,
+    })
+  );
+  await request("POST", `/threads/${thread._id}/messages`, {
+    as: emails.tutor,
+    body: { body: "Hello!" },
+  });
+
+  const classSession = expectOk(
+    await request("POST", `/applications/${applicationId}/sessions`, {
+      as: emails.tutor,
+      body: {
+        startsAt: new Date(clock.now().getTime() + 2 * DAY).toISOString(),
+        durationMinutes: 60,
+      },
+    })
+  );
+
+  const review = expectOk(
+    await request("POST", "/reviews", {
+      as: emails.student,
+      body: { applicationId, rating: 5, comment: "Great tutor" },
+    })
+  );
+
+  const dispute = expectOk(
+    await request("POST", `/payments/${payment._id}/disputes`, {
+      as: emails.student,
+      body: { reason: "The tutor missed the first class" },
+    })
+  );
+
+  const form = new FormData();
+  form.append("education", "BSc Physics");
+  form.append(
+    "documents",
+    new Blob(["%PDF-1.4"], { type: "application/pdf" }),
+    "certificate.pdf"
+  );
+  const verification = expectOk(
+    await request("POST", "/tutor-verification", {
+      as: emails.pendingTutor,
+      multipart: form,
+    })
+  );
+
+  const { insertedId: payoutId } = await ctx.payoutCollection.insertOne({
+    tutorEmail: emails.tutor,
+    amountMinor: 1000,
+    currency: "bdt",
+    method: "bkash",
+    accountDetails: "01700000000",
+    status: "requested",
+    requestedAt: clock.now(),
+  });
+
+  // Next month's bill for the engagement
+  clock.advance(32 * DAY);
+  expectOk(
+    await request("POST", "/admin/jobs/issueMonthlyBills/run", {
+      as: emails.admin,
+    })
+  );
+  const bill = await ctx.billCollection.findOne({ applicationId });
+  assert.ok(bill, "issueMonthlyBills issued no bill");
+
+  const notification = await ctx.notificationCollection.findOne({
+    recipientEmail: emails.student,
+  });
+
+  return {
+    server,
+    ctx,
+    clock,
+    request,
+    emails,
+    users,
+    payment,
+    ids: {
+      tuitionId,
+      applicationId,
+      otherApplicationId,
+      paymentId: payment._id.toString(),
+      threadId: thread._id.toString(),
+      sessionId: classSession._id.toString(),
+      reviewId: review.insertedId,
+      disputeId: dispute.insertedId,
+      verificationId: verification.insertedId,
+      payoutId: payoutId.toString(),
+      billId: bill._id.toString(),
+      notificationId: notification._id.toString(),
+    },
+  };
+};
+
+module.exports = {
+  USERS,
+  expectOk,
+  postTuition,
+  apply,
+  hire,
+  payWrongAmount,
+  createScenario,
+};
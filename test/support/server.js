@@ -0,0 +1,142 @@
+// Starts the app on a random port against the in-memory database, with local
+// auth and mock payment providers. Tests talk to it over HTTP.
+process.env.DOTENV_CONFIG_QUIET ??= "true";
+process.env.NODE_ENV ??= "test";
+
+const { once } = require("node:events");
+const { Readable } = require("node:stream");
+const {
+  createApp,
+  prepareDatabase,
+  createLocalAuthProvider,
+  mockPaymentProviders,
+} = require("../..");
+const { createFakeDb, createFakeClient } = require("./fakeMongo");
+
+const createMemoryStorage = () => {
+  const files = new Map();
+  let next = 0;
+  return {
+    files,
+    async save(file) {
+      const key = `doc-${(next += 1)}`;
+      files.set(key, file.buffer);
+      return key;
+    },
+    read(key) {
+      return Readable.from([files.get(key) ?? Buffer.alloc(0)]);
+    },
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+};
+
+// Never limits; rate limiting has its own store tests would otherwise trip
+const unlimitedRateLimitStore = {
+  async hit() {
+    return { count: 0, resetAt: new Date() };
+  },
+  async list() {
+    return [];
+  },
+  async reset() {
+    return false;
+  },
+};
+
+// A clock tests move by hand
+const createTestClock = (start = "2026-01-05T09:00:00Z") => {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    set(date) {
+      current = new Date(date);
+    },
+    advance(ms) {
+      current = new Date(current.getTime() + ms);
+    },
+  };
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const startServer = async (deps = {}) => {
+  const authProvider = createLocalAuthProvider("test-secret");
+  const app = createApp({
+    client: createFakeClient(),
+    db: createFakeDb(),
+    authProvider,
+    paymentProviders: mockPaymentProviders(),
+    documentStorage: createMemoryStorage(),
+    rateLimitStore: unlimitedRateLimitStore,
+    ...deps,
+  });
+  const { ctx } = app.locals;
+  await prepareDatabase(ctx);
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // `as` is the email to sign in as; `body` is sent as JSON, `form` as
+  // application/x-www-form-urlencoded and `multipart` as a FormData
+  const request = async (
+    method,
+    path,
+    { as, body, form, multipart, headers = {} } = {}
+  ) => {
+    const init = { method, headers: { ...headers }, redirect: "manual" };
+    if (as) {
+      init.headers.authorization = `Bearer ${authProvider.issueToken(as)}`;
+    }
+    if (body !== undefined) {
+      init.headers["content-type"] = "application/json";
+      init.body = typeof body === "string" ? body : JSON.stringify(body);
+    } else if (form) {
+      init.body = new URLSearchParams(form);
+    } else if (multipart) {
+      init.body = multipart;
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, init);
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      // not JSON: CSV, calendars, PDFs
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    server.close();
+    await once(server, "close");
+  };
+
+  return { app, ctx, baseUrl, request, authProvider, close };
+};
+
+// Adds an account straight to the database
+const addUser = async (ctx, email, role, fields = {}) => {
+  const user = {
+    email,
+    role,
+    status: "active",
+    displayName: email.split("@")[0],
+    createdAt: ctx.clock.now(),
+    ...fields,
+  };
+  await ctx.userCollection.insertOne(user);
+  return user;
+};
+
+module.exports = {
+  startServer,
+  addUser,
+  createTestClock,
+  createMemoryStorage,
+  DAY,
+};
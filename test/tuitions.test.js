@@ -0,0 +1,55 @@
+// A tuition post with a hired tutor stays confirmed: neither an owner's
+// edit nor an admin's approval can put it back up for applications.
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createScenario, expectOk, postTuition } = require("./support/scenario");
+
+let scenario;
+
+beforeEach(async () => {
+  scenario = await createScenario();
+});
+
+afterEach(() => scenario.server.close());
+
+const edit = (id, as, body) =>
+  scenario.request("PATCH", `/tuitions/${id}`, { as, body });
+
+const load = (id) =>
+  scenario.ctx.tuitionCollection.findOne({ _id: new ObjectId(id) });
+
+test("the owner can't edit a tuition with a hired tutor", async () => {
+  const { tuitionId } = scenario.ids;
+  const before = await load(tuitionId);
+
+  const response = await edit(tuitionId, scenario.emails.student, {
+    salary: 6000,
+  });
+  assert.equal(response.status, 409);
+  assert.deepEqual(await load(tuitionId), before);
+});
+
+test("an admin can't reopen a tuition with a hired tutor", async () => {
+  const { tuitionId } = scenario.ids;
+  const before = await load(tuitionId);
+
+  const response = await edit(tuitionId, scenario.emails.admin, {
+    status: "approved",
+  });
+  assert.equal(response.status, 409);
+  assert.deepEqual(await load(tuitionId), before);
+});
+
+test("an edited open post goes back through review", async () => {
+  const tuitionId = await postTuition(scenario.server, scenario.emails.student);
+  expectOk(await edit(tuitionId, scenario.emails.student, { salary: 6000 }));
+  assert.equal((await load(tuitionId)).status, "pending");
+
+  expectOk(
+    await edit(tuitionId, scenario.emails.admin, { status: "approved" })
+  );
+  const tuition = await load(tuitionId);
+  assert.equal(tuition.status, "approved");
+  assert.ok(tuition.expiresAt > scenario.clock.now());
+});